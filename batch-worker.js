@@ -0,0 +1,21 @@
+/**
+ * Worker side of markBatch: rebuilds the calling instance from workerData
+ * and marks each text it is sent with the batch's mode and options.
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+import { DataMarkingViaSpotlighting } from './index.js';
+
+const { settings, mode, options } = workerData;
+const marker = new DataMarkingViaSpotlighting(...settings.args);
+Object.assign(marker, settings.properties);
+for (const [locale, templates] of settings.promptTemplates) {
+  marker.registerPromptTemplates(locale, templates);
+}
+
+parentPort.on('message', ({ index, text }) => {
+  try {
+    parentPort.postMessage({ index, result: marker[mode](text, options) });
+  } catch (error) {
+    parentPort.postMessage({ index, error });
+  }
+});
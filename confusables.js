@@ -0,0 +1,140 @@
+/**
+ * Confusable characters folded to the ASCII letter or digit they imitate.
+ *
+ * A subset of the Unicode confusables data (UTS #39, confusables.txt): the
+ * entries whose prototype is ASCII, for scripts commonly used to disguise
+ * Latin text. Prototypes are kept readable ('I' stays 'I' rather than the
+ * skeleton 'l', small capitals fold to lowercase) and ASCII itself is never
+ * folded. Compatibility forms such as fullwidth and mathematical letters are
+ * left to NFKC, which runs first.
+ */
+
+const CONFUSABLES = {
+  // Cyrillic
+  '\u0430': 'a', // CYRILLIC SMALL LETTER A
+  '\u0441': 'c', // CYRILLIC SMALL LETTER ES
+  '\u0501': 'd', // CYRILLIC SMALL LETTER KOMI DE
+  '\u0435': 'e', // CYRILLIC SMALL LETTER IE
+  '\u04bb': 'h', // CYRILLIC SMALL LETTER SHHA
+  '\u0456': 'i', // CYRILLIC SMALL LETTER BYELORUSSIAN-UKRAINIAN I
+  '\u0458': 'j', // CYRILLIC SMALL LETTER JE
+  '\u04cf': 'l', // CYRILLIC SMALL LETTER PALOCHKA
+  '\u043e': 'o', // CYRILLIC SMALL LETTER O
+  '\u0440': 'p', // CYRILLIC SMALL LETTER ER
+  '\u051b': 'q', // CYRILLIC SMALL LETTER QA
+  '\u0455': 's', // CYRILLIC SMALL LETTER DZE
+  '\u0475': 'v', // CYRILLIC SMALL LETTER IZHITSA
+  '\u051d': 'w', // CYRILLIC SMALL LETTER WE
+  '\u0445': 'x', // CYRILLIC SMALL LETTER HA
+  '\u0443': 'y', // CYRILLIC SMALL LETTER U
+  '\u0410': 'A', // CYRILLIC CAPITAL LETTER A
+  '\u0412': 'B', // CYRILLIC CAPITAL LETTER VE
+  '\u0421': 'C', // CYRILLIC CAPITAL LETTER ES
+  '\u0415': 'E', // CYRILLIC CAPITAL LETTER IE
+  '\u050c': 'G', // CYRILLIC CAPITAL LETTER KOMI SJE
+  '\u041d': 'H', // CYRILLIC CAPITAL LETTER EN
+  '\u0406': 'I', // CYRILLIC CAPITAL LETTER BYELORUSSIAN-UKRAINIAN I
+  '\u04c0': 'I', // CYRILLIC LETTER PALOCHKA
+  '\u0408': 'J', // CYRILLIC CAPITAL LETTER JE
+  '\u041a': 'K', // CYRILLIC CAPITAL LETTER KA
+  '\u041c': 'M', // CYRILLIC CAPITAL LETTER EM
+  '\u041e': 'O', // CYRILLIC CAPITAL LETTER O
+  '\u0420': 'P', // CYRILLIC CAPITAL LETTER ER
+  '\u051a': 'Q', // CYRILLIC CAPITAL LETTER QA
+  '\u0405': 'S', // CYRILLIC CAPITAL LETTER DZE
+  '\u0422': 'T', // CYRILLIC CAPITAL LETTER TE
+  '\u0474': 'V', // CYRILLIC CAPITAL LETTER IZHITSA
+  '\u051c': 'W', // CYRILLIC CAPITAL LETTER WE
+  '\u0425': 'X', // CYRILLIC CAPITAL LETTER HA
+  '\u04ae': 'Y', // CYRILLIC CAPITAL LETTER STRAIGHT U
+  '\u0417': '3', // CYRILLIC CAPITAL LETTER ZE
+  // Greek
+  '\u03b1': 'a', // GREEK SMALL LETTER ALPHA
+  '\u03b9': 'i', // GREEK SMALL LETTER IOTA
+  '\u03bf': 'o', // GREEK SMALL LETTER OMICRON
+  '\u03c1': 'p', // GREEK SMALL LETTER RHO
+  '\u03c5': 'u', // GREEK SMALL LETTER UPSILON
+  '\u03bd': 'v', // GREEK SMALL LETTER NU
+  '\u03b3': 'y', // GREEK SMALL LETTER GAMMA
+  '\u03f3': 'j', // GREEK LETTER YOT
+  '\u0391': 'A', // GREEK CAPITAL LETTER ALPHA
+  '\u0392': 'B', // GREEK CAPITAL LETTER BETA
+  '\u0395': 'E', // GREEK CAPITAL LETTER EPSILON
+  '\u0397': 'H', // GREEK CAPITAL LETTER ETA
+  '\u0399': 'I', // GREEK CAPITAL LETTER IOTA
+  '\u037f': 'J', // GREEK CAPITAL LETTER YOT
+  '\u039a': 'K', // GREEK CAPITAL LETTER KAPPA
+  '\u039c': 'M', // GREEK CAPITAL LETTER MU
+  '\u039d': 'N', // GREEK CAPITAL LETTER NU
+  '\u039f': 'O', // GREEK CAPITAL LETTER OMICRON
+  '\u03a1': 'P', // GREEK CAPITAL LETTER RHO
+  '\u03a4': 'T', // GREEK CAPITAL LETTER TAU
+  '\u03a7': 'X', // GREEK CAPITAL LETTER CHI
+  '\u03a5': 'Y', // GREEK CAPITAL LETTER UPSILON
+  '\u0396': 'Z', // GREEK CAPITAL LETTER ZETA
+  // Armenian
+  '\u0581': 'g', // ARMENIAN SMALL LETTER CO
+  '\u0570': 'h', // ARMENIAN SMALL LETTER HO
+  '\u0578': 'n', // ARMENIAN SMALL LETTER VO
+  '\u0585': 'o', // ARMENIAN SMALL LETTER OH
+  '\u0566': 'q', // ARMENIAN SMALL LETTER ZA
+  '\u0563': 'q', // ARMENIAN SMALL LETTER GIM
+  '\u057d': 'u', // ARMENIAN SMALL LETTER SEH
+  '\u0555': 'O', // ARMENIAN CAPITAL LETTER OH
+  '\u054d': 'U', // ARMENIAN CAPITAL LETTER SEH
+  // Cherokee
+  '\u13a5': 'i', // CHEROKEE LETTER V
+  '\u13aa': 'A', // CHEROKEE LETTER GO
+  '\u13f4': 'B', // CHEROKEE LETTER YV
+  '\u13df': 'C', // CHEROKEE LETTER TLI
+  '\u13a0': 'D', // CHEROKEE LETTER A
+  '\u13ac': 'E', // CHEROKEE LETTER GV
+  '\u13c0': 'G', // CHEROKEE LETTER NAH
+  '\u13bb': 'H', // CHEROKEE LETTER MI
+  '\u13ab': 'J', // CHEROKEE LETTER GU
+  '\u13e6': 'K', // CHEROKEE LETTER TSO
+  '\u13de': 'L', // CHEROKEE LETTER TLE
+  '\u13b7': 'M', // CHEROKEE LETTER LU
+  '\u13e2': 'P', // CHEROKEE LETTER TLV
+  '\u13a1': 'R', // CHEROKEE LETTER E
+  '\u13da': 'S', // CHEROKEE LETTER DU
+  '\u13a2': 'T', // CHEROKEE LETTER I
+  '\u13d9': 'V', // CHEROKEE LETTER DO
+  '\u13b3': 'W', // CHEROKEE LETTER LA
+  '\u13c3': 'Z', // CHEROKEE LETTER NO
+  // Latin letters that NFKC leaves alone
+  '\u0251': 'a', // LATIN SMALL LETTER ALPHA
+  '\u0261': 'g', // LATIN SMALL LETTER SCRIPT G
+  '\u0131': 'i', // LATIN SMALL LETTER DOTLESS I
+  '\u0269': 'i', // LATIN SMALL LETTER IOTA
+  '\u0237': 'j', // LATIN SMALL LETTER DOTLESS J
+  '\u01c0': 'l', // LATIN LETTER DENTAL CLICK
+  '\u028b': 'u', // LATIN SMALL LETTER V WITH HOOK
+  '\u0263': 'y', // LATIN SMALL LETTER GAMMA
+  '\u1d00': 'a', // LATIN LETTER SMALL CAPITAL A
+  '\u0299': 'b', // LATIN LETTER SMALL CAPITAL B
+  '\u1d04': 'c', // LATIN LETTER SMALL CAPITAL C
+  '\u1d05': 'd', // LATIN LETTER SMALL CAPITAL D
+  '\u1d07': 'e', // LATIN LETTER SMALL CAPITAL E
+  '\ua730': 'f', // LATIN LETTER SMALL CAPITAL F
+  '\u0262': 'g', // LATIN LETTER SMALL CAPITAL G
+  '\u029c': 'h', // LATIN LETTER SMALL CAPITAL H
+  '\u026a': 'i', // LATIN LETTER SMALL CAPITAL I
+  '\u1d0a': 'j', // LATIN LETTER SMALL CAPITAL J
+  '\u1d0b': 'k', // LATIN LETTER SMALL CAPITAL K
+  '\u029f': 'l', // LATIN LETTER SMALL CAPITAL L
+  '\u1d0d': 'm', // LATIN LETTER SMALL CAPITAL M
+  '\u0274': 'n', // LATIN LETTER SMALL CAPITAL N
+  '\u1d0f': 'o', // LATIN LETTER SMALL CAPITAL O
+  '\u1d18': 'p', // LATIN LETTER SMALL CAPITAL P
+  '\u0280': 'r', // LATIN LETTER SMALL CAPITAL R
+  '\ua731': 's', // LATIN LETTER SMALL CAPITAL S
+  '\u1d1b': 't', // LATIN LETTER SMALL CAPITAL T
+  '\u1d1c': 'u', // LATIN LETTER SMALL CAPITAL U
+  '\u1d20': 'v', // LATIN LETTER SMALL CAPITAL V
+  '\u1d21': 'w', // LATIN LETTER SMALL CAPITAL W
+  '\u028f': 'y', // LATIN LETTER SMALL CAPITAL Y
+  '\u1d22': 'z', // LATIN LETTER SMALL CAPITAL Z
+};
+
+export { CONFUSABLES };
@@ -1,32 +1,550 @@
 export type MarkerType = 'alphanumeric' | 'unicode';
 
-export interface RandomMarkingOptions {
+/** Private Use Area blocks that unicode markers are drawn from. */
+export type MarkerPlanes = 'bmp' | 'supplementary' | 'all';
+
+export interface Rng {
+  /** Returns a uniformly distributed integer in [0, max). */
+  randomInt(max: number): number;
+}
+
+export function createSeededRng(seed: string | number): Rng;
+
+export type TiktokenEncoding =
+  | 'cl100k_base'
+  | 'o200k_base'
+  | 'p50k_base'
+  | 'p50k_edit'
+  | 'r50k_base'
+  | 'gpt2';
+
+export interface Tokenizer {
+  encode(text: string): ArrayLike<number> & Iterable<number>;
+  decode(ids: number[]): string;
+}
+
+export type PromptTemplate =
+  string | ((context: Record<string, string | number | undefined>) => string);
+
+export type MarkerPromptTemplate =
+  PromptTemplate | Partial<Record<MarkerType, PromptTemplate>>;
+
+export type EncodingScheme =
+  'base64' | 'hex' | 'base32' | 'ascii85' | 'rot13' | 'shift';
+
+/** Templates per scheme; base64 uses the base64EncodeData template. */
+export type SchemePromptTemplates = Record<
+  Exclude<EncodingScheme, 'base64'>,
+  PromptTemplate
+>;
+
+export interface PromptTemplates {
+  version: string;
+  markData: MarkerPromptTemplate;
+  markDataLines: MarkerPromptTemplate;
+  randomlyMarkData: MarkerPromptTemplate;
+  base64EncodeData: MarkerPromptTemplate;
+  encodeData: SchemePromptTemplates;
+  delimitData: PromptTemplate;
+  json: PromptTemplate;
+  multiSource: PromptTemplate;
+  sources: {
+    markData: PromptTemplate;
+    markDataLines: PromptTemplate;
+    randomlyMarkData: PromptTemplate;
+    base64EncodeData: PromptTemplate;
+    encodeData: SchemePromptTemplates;
+  };
+}
+
+export interface PromptTemplateOverrides extends Partial<
+  Omit<PromptTemplates, 'encodeData' | 'sources'>
+> {
+  version: string;
+  extends?: string;
+  encodeData?: Partial<SchemePromptTemplates>;
+  sources?: Partial<
+    Omit<PromptTemplates['sources'], 'encodeData'> & {
+      encodeData: Partial<SchemePromptTemplates>;
+    }
+  >;
+}
+
+export type SanitizerPreset = 'strict' | 'default' | 'minimal';
+
+/** A code point or an inclusive [start, end] range. */
+export type CodePointRange = number | [number, number];
+
+export interface SanitizerPolicy {
+  /** Preset this policy builds on; null starts from nothing. */
+  preset?: SanitizerPreset | SanitizerPolicy | null;
+  /** Code points to keep, overriding everything else. */
+  allow?: CodePointRange[];
+  /** Extra code points to remove. */
+  deny?: CodePointRange[];
+  /** Unicode general categories to remove, e.g. 'Cf' or 'Co'. */
+  categories?: string[];
+}
+
+export interface SanitizeOptions {
+  sanitizerPolicy?: SanitizerPreset | SanitizerPolicy;
+  /** Apply NFKC normalization (fullwidth and mathematical letters → ASCII). */
+  nfkc?: boolean;
+  /** Fold Cyrillic, Greek and other look-alikes to the ASCII they imitate. */
+  foldConfusables?: boolean;
+  /** Remove hidden tag and variation selector payloads. */
+  stripSmuggled?: boolean;
+  /** Remove terminal escape sequences and non-whitespace C0/C1 controls. */
+  stripControls?: boolean;
+}
+
+export type RemovalCategory =
+  | 'bidi'
+  | 'zeroWidth'
+  | 'tag'
+  | 'variationSelector'
+  | 'privateUse'
+  | 'separator'
+  | 'annotation'
+  | 'invisible'
+  | 'terminal'
+  | 'control'
+  | 'format'
+  | 'unassigned'
+  | 'other';
+
+export interface RemovedCodePoint {
+  codePoint: number;
+  /** e.g. 'U+202E' */
+  hex: string;
+  category: RemovalCategory;
+  count: number;
+  /** UTF-16 offsets in the original text. */
+  offsets: number[];
+}
+
+export interface SmugglingFinding {
+  type: 'tag' | 'variationSelector';
+  /** UTF-16 offsets of the hidden run in the original text. */
+  start: number;
+  end: number;
+  /** The decoded hidden text. */
+  payload: string;
+}
+
+export interface SmugglingDetection {
+  suspicious: boolean;
+  findings: SmugglingFinding[];
+}
+
+export interface SanitizationReport {
+  removed: RemovedCodePoint[];
+  smuggling: SmugglingFinding[];
+  summary: {
+    total: number;
+    distinct: number;
+    byCategory: Partial<Record<RemovalCategory, number>>;
+    smuggled: number;
+  };
+}
+
+export interface SanitizeResult {
+  sanitizedText: string;
+  report: SanitizationReport;
+}
+
+export interface ReportOptions {
+  /** Include a sanitizationReport in the result. */
+  report?: boolean;
+}
+
+export interface RandomMarkingOptions extends SanitizeOptions, ReportOptions {
   p?: number;
   minGap?: number;
+  encoding?: TiktokenEncoding;
+  tokenizer?: Tokenizer | null;
   sandwich?: boolean;
   markerType?: MarkerType;
+  markerPlanes?: MarkerPlanes;
   sanitize?: boolean;
+  dataMarker?: string;
+  locale?: string;
 }
 
-export interface MarkingOptions {
+/** Intl.Segmenter granularity used to mark between words in unspaced scripts. */
+export type Segmentation = 'word' | 'grapheme';
+
+export interface MarkingOptions extends SanitizeOptions, ReportOptions {
   sandwich?: boolean;
+  segmentation?: Segmentation | null;
+  /** Keep line breaks and indentation instead of marking them. */
+  preserveLines?: boolean;
   markerType?: MarkerType;
+  markerPlanes?: MarkerPlanes;
   sanitize?: boolean;
+  dataMarker?: string;
+  locale?: string;
 }
 
-export interface Base64Options {
+export interface Base64Options extends SanitizeOptions, ReportOptions {
   sanitize?: boolean;
+  locale?: string;
 }
 
 export interface MarkingResult {
   markedText: string;
   dataMarker: string;
   prompt: string;
+  promptVersion: string;
+  sanitizationReport?: SanitizationReport;
+}
+
+export interface SpacesMarkingResult extends MarkingResult {
+  whitespace: string;
+  /** Indices of markers inserted between words, with `segmentation`. */
+  boundaries?: number[];
+}
+
+export interface UnmarkOptions {
+  sandwich?: boolean;
+  whitespace?: string | null;
+  boundaries?: number[];
+}
+
+export interface RandomUnmarkOptions {
+  sandwich?: boolean;
+}
+
+export interface EncodeOptions extends SanitizeOptions, ReportOptions {
+  scheme?: EncodingScheme;
+  /** Letter shift for the 'shift' scheme, 1 to 25. */
+  shift?: number;
+  sanitize?: boolean;
+  locale?: string;
+}
+
+export interface DecodeOptions {
+  scheme?: EncodingScheme;
+  shift?: number;
+}
+
+export interface EncodeResult {
+  markedText: string;
+  scheme: EncodingScheme;
+  shift?: number;
+  prompt: string;
+  promptVersion: string;
+  sanitizationReport?: SanitizationReport;
 }
 
 export interface Base64MarkingResult {
   markedText: string;
   prompt: string;
+  promptVersion: string;
+  sanitizationReport?: SanitizationReport;
+}
+
+export type SpotlightMode =
+  'markData' | 'randomlyMarkData' | 'base64EncodeData' | 'encodeData';
+
+export interface DelimitOptions extends SanitizeOptions, ReportOptions {
+  /** Mark the data with this mode before wrapping it in the tags. */
+  mode?: SpotlightMode | null;
+  /** Escape tags found inside the data, or throw. */
+  onCollision?: 'escape' | 'reject';
+  /** Tag id, letters, digits, '_' and '-'; random by default. */
+  tag?: string;
+  sanitize?: boolean;
+  markerType?: MarkerType;
+  markerPlanes?: MarkerPlanes;
+  segmentation?: Segmentation | null;
+  preserveLines?: boolean;
+  p?: number;
+  minGap?: number;
+  encoding?: TiktokenEncoding;
+  tokenizer?: Tokenizer | null;
+  scheme?: EncodingScheme;
+  shift?: number;
+  dataMarker?: string;
+  locale?: string;
+}
+
+export interface DelimitResult {
+  markedText: string;
+  tag: string;
+  openTag: string;
+  closeTag: string;
+  prompt: string;
+  promptVersion: string;
+  /** Set when combined with a marking mode. */
+  dataMarker?: string;
+  whitespace?: string;
+  boundaries?: number[];
+  scheme?: EncodingScheme;
+  shift?: number;
+  sanitizationReport?: SanitizationReport;
+}
+
+export interface JsonMarkingOptions extends SanitizeOptions {
+  mode?: SpotlightMode;
+  paths?: string[] | null;
+  keys?: boolean | string[];
+  space?: string | number;
+  sanitize?: boolean;
+  markerType?: MarkerType;
+  markerPlanes?: MarkerPlanes;
+  sandwich?: boolean;
+  segmentation?: Segmentation | null;
+  preserveLines?: boolean;
+  p?: number;
+  minGap?: number;
+  encoding?: TiktokenEncoding;
+  tokenizer?: Tokenizer | null;
+  scheme?: EncodingScheme;
+  shift?: number;
+  locale?: string;
+}
+
+export interface JsonMarkingResult {
+  markedText: string;
+  markedValue: unknown;
+  dataMarker?: string;
+  prompt: string;
+  promptVersion: string;
+}
+
+export type ChatFormat = 'openai' | 'anthropic';
+
+export interface ChatDocument {
+  content: string;
+  label?: string | null;
+  toolCallId?: string | null;
+}
+
+export interface ChatMessagesOptions extends SanitizeOptions {
+  systemPrompt?: string;
+  instructions?: string;
+  documents?: Array<string | ChatDocument>;
+  history?: unknown[];
+  format?: ChatFormat;
+  mode?: SpotlightMode;
+  markerType?: MarkerType;
+  markerPlanes?: MarkerPlanes;
+  sanitize?: boolean;
+  sandwich?: boolean;
+  segmentation?: Segmentation | null;
+  preserveLines?: boolean;
+  p?: number;
+  minGap?: number;
+  encoding?: TiktokenEncoding;
+  tokenizer?: Tokenizer | null;
+  scheme?: EncodingScheme;
+  shift?: number;
+  locale?: string;
+}
+
+export interface OpenAIChatMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string;
+  tool_call_id?: string;
+}
+
+export type AnthropicContentBlock =
+  | { type: 'text'; text: string }
+  | { type: 'tool_result'; tool_use_id: string; content: string };
+
+export interface AnthropicMessage {
+  role: 'user' | 'assistant';
+  content: string | AnthropicContentBlock[];
+}
+
+export interface ChatMessagesResult<TMessage = OpenAIChatMessage> {
+  messages: TMessage[];
+  system?: string;
+  dataMarker?: string;
+  prompt: string;
+  promptVersion: string;
+}
+
+export interface StreamMarkingOptions extends SanitizeOptions {
+  mode?: 'markData' | 'randomlyMarkData';
+  p?: number;
+  minGap?: number;
+  encoding?: TiktokenEncoding;
+  tokenizer?: Tokenizer | null;
+  sandwich?: boolean;
+  /** Keep line breaks and indentation ('markData' mode only). */
+  preserveLines?: boolean;
+  markerType?: MarkerType;
+  markerPlanes?: MarkerPlanes;
+  sanitize?: boolean;
+  dataMarker?: string;
+  locale?: string;
+}
+
+// Merges into the @types/node interface when it is installed and is empty
+// otherwise, so these types compile without Node typings.
+declare global {
+  namespace NodeJS {
+    interface ReadWriteStream {}
+  }
+}
+
+/** A Node `stream.Transform` at runtime. */
+export interface MarkingStream extends NodeJS.ReadWriteStream {
+  dataMarker: string;
+  prompt: string;
+  promptVersion: string;
+}
+
+export interface MarkingTransformStream extends TransformStream<
+  string | Uint8Array,
+  string
+> {
+  dataMarker: string;
+  prompt: string;
+  promptVersion: string;
+}
+
+export interface SourceDocument {
+  text: string;
+  label?: string;
+  mode?: SpotlightMode;
+}
+
+export interface MarkDocumentsOptions extends SanitizeOptions, ReportOptions {
+  mode?: SpotlightMode;
+  markerType?: MarkerType;
+  markerPlanes?: MarkerPlanes;
+  sanitize?: boolean;
+  sandwich?: boolean;
+  segmentation?: Segmentation | null;
+  preserveLines?: boolean;
+  p?: number;
+  minGap?: number;
+  encoding?: TiktokenEncoding;
+  tokenizer?: Tokenizer | null;
+  scheme?: EncodingScheme;
+  shift?: number;
+  locale?: string;
+}
+
+export interface MarkedDocument {
+  label: string;
+  mode: SpotlightMode;
+  markedText: string;
+  dataMarker?: string;
+  sanitizationReport?: SanitizationReport;
+}
+
+export interface MarkDocumentsResult {
+  documents: MarkedDocument[];
+  provenance: Record<string, string>;
+  prompt: string;
+  promptVersion: string;
+}
+
+export interface BatchOptions extends Omit<MarkDocumentsOptions, 'tokenizer'> {
+  /** Worker threads to spread the texts over; defaults to one per spare core. */
+  concurrency?: number;
+  /** Rejects the batch and stops every worker when aborted. */
+  signal?: AbortSignal | null;
+  dataMarker?: string;
+}
+
+export type BatchResult =
+  MarkingResult | SpacesMarkingResult | Base64MarkingResult | EncodeResult;
+
+export type PipelineStepName = 'sanitize' | 'delimitData' | SpotlightMode;
+
+export interface CustomPipelineStep {
+  name?: string;
+  apply(text: string): string;
+  /** Appended to the merged prompt after the previous steps' prompts. */
+  prompt?: string;
+}
+
+export type PipelineStep =
+  | PipelineStepName
+  | ({ step: 'sanitize' } & SanitizeOptions & ReportOptions)
+  | ({ step: 'markData' } & MarkingOptions)
+  | ({ step: 'randomlyMarkData' } & RandomMarkingOptions)
+  | ({ step: 'base64EncodeData' } & Base64Options)
+  | ({ step: 'encodeData' } & EncodeOptions)
+  | ({ step: 'delimitData' } & Omit<DelimitOptions, 'mode'>)
+  | CustomPipelineStep
+  | ((text: string) => string);
+
+export interface PipelineOptions {
+  locale?: string;
+}
+
+export interface AppliedPipelineStep {
+  step: PipelineStepName | 'custom';
+  /** Custom steps only. */
+  name?: string;
+  /** Whether the step changed the text. */
+  changed: boolean;
+  sanitizationReport?: SanitizationReport;
+  dataMarker?: string;
+  whitespace?: string;
+  boundaries?: number[];
+  scheme?: EncodingScheme;
+  shift?: number;
+  tag?: string;
+  openTag?: string;
+  closeTag?: string;
+}
+
+export interface PipelineResult {
+  markedText: string;
+  /** The prompts of every step, in order. */
+  prompt: string;
+  promptVersion: string;
+  steps: AppliedPipelineStep[];
+  dataMarker?: string;
+  whitespace?: string;
+  boundaries?: number[];
+  scheme?: EncodingScheme;
+  shift?: number;
+  tag?: string;
+  openTag?: string;
+  closeTag?: string;
+}
+
+export interface Pipeline {
+  steps: Array<{
+    step: PipelineStepName | 'custom';
+    [option: string]: unknown;
+  }>;
+  run(text: string): PipelineResult;
+}
+
+export interface InspectResponseOptions {
+  data?: string | string[] | null;
+  minEchoLength?: number;
+  clean?: boolean;
+  replacement?: string;
+}
+
+export interface MarkerLeak {
+  dataMarker: string;
+  count: number;
+  indices: number[];
+}
+
+export interface EchoSpan {
+  text: string;
+  start: number;
+  end: number;
+}
+
+export interface ResponseInspection {
+  leaked: boolean;
+  leaks: MarkerLeak[];
+  echoed: boolean;
+  echoes: EchoSpan[];
+  cleanedResponse?: string;
 }
 
 export class DataMarkingViaSpotlighting {
@@ -35,6 +553,13 @@ export class DataMarkingViaSpotlighting {
   defaultP: number;
   defaultMinGap: number;
   markerType: MarkerType;
+  rng: Rng;
+  locale: string;
+  sanitizerPolicy: SanitizerPreset | SanitizerPolicy;
+  markerPlanes: MarkerPlanes;
+
+  static warmUpTokenizer(encoding?: TiktokenEncoding): Tokenizer;
+  static releaseTokenizer(encoding?: TiktokenEncoding | null): boolean;
 
   constructor(
     minK?: number,
@@ -42,13 +567,64 @@ export class DataMarkingViaSpotlighting {
     defaultP?: number,
     defaultMinGap?: number,
     markerType?: MarkerType,
+    rng?: Rng,
   );
 
-  sanitizeText(text: string): string;
-  genDataMarkerUniCode(): string;
+  getPromptTemplates(locale?: string): PromptTemplates;
+  registerPromptTemplates(
+    locale: string,
+    templates: PromptTemplateOverrides,
+  ): void;
+  sanitizeText(text: string, options?: SanitizeOptions): string;
+  detectSmuggling(text: string): SmugglingDetection;
+  sanitizeTextWithReport(
+    text: string,
+    options?: SanitizeOptions,
+  ): SanitizeResult;
+  genDataMarkerUniCode(planes?: MarkerPlanes): string;
   genDataMarkerAlphaNum(): string;
-  genDataMarker(markerType?: MarkerType): string;
-  markData(text: string, options?: MarkingOptions): MarkingResult;
+  genDataMarker(
+    markerType?: MarkerType | null,
+    markerPlanes?: MarkerPlanes | null,
+  ): string;
+  markData(text: string, options?: MarkingOptions): SpacesMarkingResult;
+  unmarkData(
+    markedText: string,
+    dataMarker: string,
+    options?: UnmarkOptions,
+  ): string;
   randomlyMarkData(text: string, options?: RandomMarkingOptions): MarkingResult;
+  createMarkingStream(options?: StreamMarkingOptions): MarkingStream;
+  createMarkingTransformStream(
+    options?: StreamMarkingOptions,
+  ): MarkingTransformStream;
+  randomlyUnmarkData(
+    markedText: string,
+    dataMarker: string,
+    options?: RandomUnmarkOptions,
+  ): string;
   base64EncodeData(text: string, options?: Base64Options): Base64MarkingResult;
+  base64DecodeData(markedText: string): string;
+  encodeData(text: string, options?: EncodeOptions): EncodeResult;
+  decodeData(markedText: string, options?: DecodeOptions): string;
+  delimitData(text: string, options?: DelimitOptions): DelimitResult;
+  undelimitData(markedText: string, tag: string): string;
+  markDocuments(
+    documents: Array<string | SourceDocument>,
+    options?: MarkDocumentsOptions,
+  ): MarkDocumentsResult;
+  markBatch(texts: string[], options?: BatchOptions): Promise<BatchResult[]>;
+  markJson(value: unknown, options?: JsonMarkingOptions): JsonMarkingResult;
+  buildChatMessages(
+    options?: ChatMessagesOptions & { format?: 'openai' },
+  ): ChatMessagesResult<OpenAIChatMessage>;
+  buildChatMessages(
+    options: ChatMessagesOptions & { format: 'anthropic' },
+  ): ChatMessagesResult<AnthropicMessage> & { system: string };
+  createPipeline(steps: PipelineStep[], options?: PipelineOptions): Pipeline;
+  inspectResponse(
+    response: string,
+    dataMarkers: string | string[],
+    options?: InspectResponseOptions,
+  ): ResponseInspection;
 }
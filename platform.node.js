@@ -0,0 +1,38 @@
+/**
+ * Node.js platform: node:crypto for randomness and hashing, node:stream for
+ * createMarkingStream, worker threads for markBatch and on-demand loading of
+ * the larger tiktoken ranks.
+ * Picked through the "#platform" import conditions in package.json;
+ * platform.web.js covers every other runtime.
+ */
+import { createHash, randomInt } from 'node:crypto';
+import { createRequire } from 'node:module';
+import { availableParallelism } from 'node:os';
+import { Transform } from 'node:stream';
+import { Worker } from 'node:worker_threads';
+
+const requireModule = createRequire(import.meta.url);
+
+const sha256 = (...parts) => {
+  const hash = createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return new Uint8Array(hash.digest());
+};
+
+// Rank files are megabytes each, so they are only loaded on first use
+const requireRanks = encoding => requireModule(`js-tiktoken/ranks/${encoding}`);
+
+const createBatchWorker = workerData =>
+  new Worker(new URL('./batch-worker.js', import.meta.url), { workerData });
+
+// Leave a core for the calling thread
+const defaultConcurrency = () => Math.max(1, availableParallelism() - 1);
+
+export {
+  Transform,
+  createBatchWorker,
+  defaultConcurrency,
+  randomInt,
+  requireRanks,
+  sha256,
+};
@@ -0,0 +1,62 @@
+/**
+ * Builds the CommonJS entry point into dist/ from the ESM sources.
+ *
+ * The sources only use named imports, default imports and a single
+ * `export { ... }` list, so a line rewrite is enough and the package stays
+ * free of a bundler. Anything else fails the build instead of shipping
+ * half-converted code. CommonJS only runs on Node, so `#platform` is pinned
+ * to platform.node.js, and worker URLs point at the built .cjs files.
+ */
+import { copyFileSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = join(root, 'dist');
+
+const SOURCES = [
+  'index.js',
+  'prompts.js',
+  'confusables.js',
+  'platform.node.js',
+  'batch-worker.js',
+];
+
+const specifier = source => {
+  if (source === '#platform') return './platform.node.cjs';
+  return source.startsWith('./') ? source.replace(/\.js$/, '.cjs') : source;
+};
+
+const toCommonJs = (code, file) => {
+  const converted = code
+    .replace(
+      /^import\s+(\{[^}]*\})\s+from\s+'([^']+)';$/gm,
+      (_, names, source) => `const ${names} = require('${specifier(source)}');`,
+    )
+    .replace(
+      /^import\s+([\w$]+)\s+from\s+'([^']+)';$/gm,
+      (_, name, source) => `const ${name} = require('${specifier(source)}');`,
+    )
+    .replace(/^export\s+(\{[^}]*\});$/gm, 'module.exports = $1;')
+    .replace(
+      /new URL\('(\.\/[^']+)\.js', import\.meta\.url\)/g,
+      "new URL('$1.cjs', require('node:url').pathToFileURL(__filename))",
+    )
+    .replace(/\bimport\.meta\.url\b/g, '__filename');
+
+  const leftover = converted.match(/^(?:import|export)\b.*$/m);
+  if (leftover) {
+    throw new Error(`Cannot convert "${leftover[0]}" in ${file}.`);
+  }
+  return `'use strict';\n\n${converted}`;
+};
+
+mkdirSync(outDir, { recursive: true });
+for (const file of SOURCES) {
+  const code = readFileSync(join(root, file), 'utf-8');
+  writeFileSync(
+    join(outDir, file.replace(/\.js$/, '.cjs')),
+    toCommonJs(code, file),
+  );
+}
+copyFileSync(join(root, 'index.d.ts'), join(outDir, 'index.d.cts'));